@@ -0,0 +1,123 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+
+const { ApiKeyManager } = require('../server');
+
+const READ_KEY = 'read-key-0123456789';
+const WRITE_KEY = 'write-key-0123456789';
+const ADMIN_KEY = 'admin-key-0123456789';
+const LIMITED_KEY = 'limited-key-0123456789';
+
+// Keys come from API_KEYS at load time
+const createKeys = entries => {
+  const previous = process.env.API_KEYS;
+  process.env.API_KEYS = JSON.stringify(entries);
+  try {
+    const keys = new ApiKeyManager();
+    keys.load();
+    return keys;
+  } finally {
+    if (previous === undefined) delete process.env.API_KEYS;
+    else process.env.API_KEYS = previous;
+  }
+};
+
+const keys = createKeys([
+  { name: 'reader', key: READ_KEY, scopes: ['read'] },
+  { name: 'writer', key: WRITE_KEY, scopes: ['read', 'write'] },
+  { name: 'admin', key: ADMIN_KEY, scopes: ['admin'] },
+  { name: 'limited', key: LIMITED_KEY, scopes: ['read'], rate_limit_per_minute: 1, burst: 2 },
+  { name: 'short', key: 'too-short' }
+]);
+
+let server = null;
+let baseUrl = null;
+
+before(async () => {
+  const app = express();
+  app.use(keys.authenticate());
+  app.get('/tweets', keys.requireScope('read'), (req, res) => res.json({ success: true, key: req.apiKey.name }));
+  app.get('/stream', keys.requireScope('read'), (req, res) => res.json({ success: true, key: req.apiKey.name }));
+  app.post('/watchlist', keys.requireScope('write'), (req, res) => res.json({ success: true }));
+  app.post('/browser/restart', keys.requireScope('admin'), (req, res) => res.json({ success: true }));
+  await new Promise(resolve => { server = app.listen(0, '127.0.0.1', resolve); });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+});
+
+const call = (method, route, key) => fetch(`${baseUrl}${route}`, { method, headers: key ? { Authorization: `Bearer ${key}` } : {} });
+
+test('ApiKeyManager: loads valid keys and skips short ones', () => {
+  assert.strictEqual(keys.enabled(), true);
+  assert.deepStrictEqual(keys.getStats().keys.map(key => key.name), ['reader', 'writer', 'admin', 'limited']);
+  assert.ok(!JSON.stringify(keys.getStats()).includes(READ_KEY));
+});
+
+test('ApiKeyManager: routes require a known key carrying the route scope', async () => {
+  assert.strictEqual((await call('GET', '/tweets')).status, 401);
+  assert.strictEqual((await (await call('GET', '/tweets', 'unknown-key-0123456789')).json()).error_code, 'INVALID_API_KEY');
+  
+  const reader = await call('GET', '/tweets', READ_KEY);
+  assert.strictEqual(reader.status, 200);
+  assert.strictEqual((await reader.json()).key, 'reader');
+  
+  const forbidden = await call('POST', '/watchlist', READ_KEY);
+  assert.strictEqual(forbidden.status, 403);
+  assert.strictEqual((await forbidden.json()).error_code, 'INSUFFICIENT_SCOPE');
+  
+  assert.strictEqual((await call('POST', '/watchlist', WRITE_KEY)).status, 200);
+  assert.strictEqual((await call('POST', '/browser/restart', WRITE_KEY)).status, 403);
+  
+  // admin carries every scope; X-API-Key works as well as a bearer token
+  assert.strictEqual((await call('POST', '/watchlist', ADMIN_KEY)).status, 200);
+  const byHeader = await fetch(`${baseUrl}/browser/restart`, { method: 'POST', headers: { 'X-API-Key': ADMIN_KEY } });
+  assert.strictEqual(byHeader.status, 200);
+  
+  const readerStats = keys.getStats().keys.find(key => key.name === 'reader');
+  assert.strictEqual(readerStats.forbidden, 1);
+});
+
+test('ApiKeyManager: ?api_key= is only accepted on /stream', async () => {
+  const fromQuery = await fetch(`${baseUrl}/tweets?api_key=${READ_KEY}`);
+  assert.strictEqual(fromQuery.status, 401);
+  assert.strictEqual((await fromQuery.json()).error_code, 'API_KEY_REQUIRED');
+  
+  const stream = await fetch(`${baseUrl}/stream?api_key=${READ_KEY}`);
+  assert.strictEqual(stream.status, 200);
+  assert.strictEqual((await stream.json()).key, 'reader');
+});
+
+test('ApiKeyManager: an empty bucket answers 429 with Retry-After', async () => {
+  const first = await call('GET', '/tweets', LIMITED_KEY);
+  assert.strictEqual(first.headers.get('x-ratelimit-limit'), '2');
+  assert.strictEqual(first.headers.get('x-ratelimit-remaining'), '1');
+  assert.strictEqual((await call('GET', '/tweets', LIMITED_KEY)).status, 200);
+  
+  const limited = await call('GET', '/tweets', LIMITED_KEY);
+  assert.strictEqual(limited.status, 429);
+  const retryAfter = Number(limited.headers.get('retry-after'));
+  assert.ok(retryAfter > 0 && retryAfter <= 60, `Retry-After ${retryAfter}`);
+  const body = await limited.json();
+  assert.strictEqual(body.error_code, 'API_RATE_LIMITED');
+  assert.strictEqual(body.retry_after_seconds, retryAfter);
+  
+  // Other keys have buckets of their own
+  assert.strictEqual((await call('GET', '/tweets', READ_KEY)).status, 200);
+  assert.strictEqual(keys.getStats().keys.find(key => key.name === 'limited').rate_limited, 1);
+});
+
+test('ApiKeyManager: verify applies the same checks to WebSocket upgrades', () => {
+  assert.strictEqual(keys.verify(null, 'read').error_code, 'API_KEY_REQUIRED');
+  assert.strictEqual(keys.verify(WRITE_KEY, 'admin').status, 403);
+  assert.strictEqual(keys.verify(WRITE_KEY, 'read').record.name, 'writer');
+  assert.strictEqual(keys.verify(LIMITED_KEY, 'read').status, 429);
+  
+  // Without API_KEYS every route is open
+  const open = createKeys([]);
+  assert.strictEqual(open.enabled(), false);
+  assert.deepStrictEqual(open.verify(null, 'admin'), { record: null });
+});
@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { parseTimelinePayload, TweetArchive } = require('../server');
+
+const loadFixture = name => require(path.join(__dirname, 'fixtures', 'graphql', `${name}.json`));
+
+const createArchive = () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tweet-archive-'));
+  return new TweetArchive(path.join(dir, 'tweets.jsonl'));
+};
+
+test('TweetArchive: keeps first/last seen and the latest metrics per tweet ID', () => {
+  const archive = createArchive();
+  const [tweet] = parseTimelinePayload(loadFixture('UserTweets'));
+  
+  assert.strictEqual(archive.upsert([tweet], '2024-05-21T17:00:00.000Z'), 1);
+  assert.strictEqual(archive.upsert([{ ...tweet, likes: 2000 }], '2024-05-21T18:00:00.000Z'), 0);
+  
+  const record = archive.get(tweet.id);
+  assert.strictEqual(record.first_seen_at, '2024-05-21T17:00:00.000Z');
+  assert.strictEqual(record.last_seen_at, '2024-05-21T18:00:00.000Z');
+  assert.strictEqual(record.seen_count, 2);
+  assert.strictEqual(record.likes, 2000);
+  assert.strictEqual(record.position, undefined);
+  
+  // Replaying the log restores the latest state
+  const reloaded = new TweetArchive(archive.filePath);
+  reloaded.load();
+  assert.deepStrictEqual(reloaded.get(tweet.id), record);
+  assert.strictEqual(reloaded.logLines, 2);
+});
+
+test('TweetArchive: archives retweets as the original tweet', () => {
+  const archive = createArchive();
+  const retweet = parseTimelinePayload(loadFixture('UserTweets')).find(tweet => tweet.type === 'retweet');
+  
+  archive.upsert([retweet]);
+  
+  const record = archive.get(retweet.id);
+  assert.strictEqual(record.username, 'otheruser');
+  assert.strictEqual(record.type, 'original');
+  assert.strictEqual(record.retweeted_by, undefined);
+  assert.strictEqual(record.retweet_id, undefined);
+});
+
+test('TweetArchive: filters by username, dates, text and likes with cursor pagination', () => {
+  const archive = createArchive();
+  archive.upsert(parseTimelinePayload(loadFixture('UserTweets')));
+  archive.upsert(parseTimelinePayload(loadFixture('SearchTimeline')));
+  
+  const all = archive.query({ limit: 1000 });
+  assert.strictEqual(all.total, archive.tweets.size);
+  assert.deepStrictEqual(all.tweets.map(tweet => tweet.id), all.tweets.map(tweet => tweet.id).sort().reverse());
+  
+  const byUser = archive.query({ usernames: ['@Example'] });
+  assert.ok(byUser.total > 0);
+  assert.ok(byUser.tweets.every(tweet => tweet.username === 'example'));
+  
+  const since = new Date('2024-05-21T00:00:00Z');
+  assert.ok(archive.query({ since }).tweets.every(tweet => new Date(tweet.timestamp) >= since));
+  assert.ok(archive.query({ until: since }).tweets.every(tweet => new Date(tweet.timestamp) < since));
+  assert.deepStrictEqual(archive.query({ text: 'RELEASE NOTES' }).tweets.map(tweet => tweet.id), ['1800000000000000003']);
+  assert.ok(archive.query({ minLikes: 1000 }).tweets.every(tweet => tweet.likes >= 1000));
+  
+  const pages = [];
+  let cursor = null;
+  do {
+    const page = archive.query({ limit: 2, cursor });
+    pages.push(...page.tweets.map(tweet => tweet.id));
+    cursor = page.next_cursor;
+  } while (cursor);
+  assert.deepStrictEqual(pages, all.tweets.map(tweet => tweet.id));
+});
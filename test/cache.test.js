@@ -0,0 +1,116 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+
+const { ResponseCache, sendCachedResult } = require('../server');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Producer that counts its calls and resolves with a fresh successful result each time
+const counting = (extra = {}) => {
+  const producer = async () => {
+    producer.calls++;
+    return { success: true, username: 'example', tweets: [], call: producer.calls, scraped_at: new Date().toISOString(), ...extra };
+  };
+  producer.calls = 0;
+  return producer;
+};
+
+test('ResponseCache: serves hits until the TTL runs out', async () => {
+  const cache = new ResponseCache();
+  const key = cache.key('account', { username: 'example' });
+  const producer = counting();
+  
+  assert.strictEqual((await cache.fetch(key, producer, { ttlMs: 50 })).status, 'MISS');
+  const hit = await cache.fetch(key, producer, { ttlMs: 50 });
+  assert.strictEqual(hit.status, 'HIT');
+  assert.strictEqual(hit.result.call, 1);
+  
+  await sleep(80);
+  const expired = await cache.fetch(key, producer, { ttlMs: 50 });
+  assert.strictEqual(expired.status, 'MISS');
+  assert.strictEqual(expired.result.call, 2);
+  assert.deepStrictEqual([cache.hits, cache.misses], [1, 2]);
+});
+
+test('ResponseCache: concurrent requests share one in-flight scrape', async () => {
+  const cache = new ResponseCache();
+  const key = cache.key('account', { username: 'example' });
+  let release;
+  const gate = new Promise(resolve => { release = resolve; });
+  const producer = counting();
+  const slow = async () => {
+    await gate;
+    return producer();
+  };
+  
+  const first = cache.fetch(key, slow);
+  const second = cache.fetch(key, slow);
+  release();
+  const results = await Promise.all([first, second]);
+  
+  assert.strictEqual(producer.calls, 1);
+  assert.deepStrictEqual(results.map(lookup => lookup.status), ['MISS', 'COALESCED']);
+  assert.strictEqual(results[0].result, results[1].result);
+  assert.strictEqual(cache.getStats().in_flight, 0);
+});
+
+test('ResponseCache: fresh skips the cached entry and failures are never stored', async () => {
+  const cache = new ResponseCache();
+  const key = cache.key('account', { username: 'example' });
+  const producer = counting();
+  
+  await cache.fetch(key, producer);
+  const bypass = await cache.fetch(key, producer, { fresh: true });
+  assert.strictEqual(bypass.status, 'BYPASS');
+  assert.strictEqual(bypass.result.call, 2);
+  assert.strictEqual((await cache.fetch(key, producer)).result.call, 2);
+  assert.strictEqual(cache.getStats().bypassed, 1);
+  
+  const failedKey = cache.key('account', { username: 'missing' });
+  const failing = async () => ({ success: false, error_code: 'NOT_FOUND' });
+  assert.strictEqual((await cache.fetch(failedKey, failing)).entry, null);
+  assert.strictEqual((await cache.fetch(failedKey, failing)).status, 'MISS');
+});
+
+// sendCachedResult behind a real Express route, as the scrape routes use it
+let server = null;
+let baseUrl = null;
+const routeCache = new ResponseCache();
+const routeProducer = counting({ scraped_at: '2024-06-01T12:00:00.000Z' });
+
+before(async () => {
+  const app = express();
+  app.get('/account', async (req, res) => {
+    sendCachedResult(req, res, await routeCache.fetch('account:example', routeProducer, { fresh: req.query.fresh === 'true' }));
+  });
+  await new Promise(resolve => { server = app.listen(0, '127.0.0.1', resolve); });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+});
+
+test('sendCachedResult: answers If-None-Match with 304 and sets validators', async () => {
+  const first = await fetch(`${baseUrl}/account`);
+  assert.strictEqual(first.status, 200);
+  assert.strictEqual(first.headers.get('x-cache'), 'MISS');
+  assert.strictEqual(first.headers.get('last-modified'), 'Sat, 01 Jun 2024 12:00:00 GMT');
+  const etag = first.headers.get('etag');
+  assert.match(etag, /^"[0-9a-f]{40}"$/);
+  
+  const revalidated = await fetch(`${baseUrl}/account`, { headers: { 'If-None-Match': `W/${etag}` } });
+  assert.strictEqual(revalidated.status, 304);
+  assert.strictEqual(revalidated.headers.get('x-cache'), 'HIT');
+  
+  const changed = await fetch(`${baseUrl}/account`, { headers: { 'If-None-Match': '"stale"' } });
+  assert.strictEqual(changed.status, 200);
+  assert.strictEqual((await changed.json()).call, 1);
+  
+  // fresh=true rescrapes even with a matching validator in hand
+  const fresh = await fetch(`${baseUrl}/account?fresh=true`, { headers: { 'If-None-Match': etag } });
+  assert.strictEqual(fresh.status, 200);
+  assert.strictEqual(fresh.headers.get('x-cache'), 'BYPASS');
+  assert.strictEqual(routeProducer.calls, 2);
+});
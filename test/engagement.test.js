@@ -0,0 +1,129 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { EngagementTracker, parseEngagementSchedule } = require('../server');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+const createTracker = () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'engagement-'));
+  return new EngagementTracker(path.join(dir, 'tracking.json'), path.join(dir, 'samples.jsonl'));
+};
+
+// Snowflake ID of a tweet posted at `ms`; `seq` keeps IDs from the same moment apart
+const tweetIdAt = (ms, seq = 0) => (((BigInt(ms) - 1288834974657n) << 22n) + BigInt(seq)).toString();
+const at = (postedMs, offsetMs) => new Date(postedMs + offsetMs).toISOString();
+const tweet = (id, metrics) => ({ id, username: 'example', likes: 0, retweets: 0, replies: 0, views: null, ...metrics });
+
+test('parseEngagementSchedule: sorts m/h/d offsets and rejects anything else', () => {
+  assert.deepStrictEqual(parseEngagementSchedule('2h,5m,1d,30m'), [5 * MINUTE, 30 * MINUTE, 2 * HOUR, 24 * HOUR]);
+  assert.strictEqual(parseEngagementSchedule('5m,soon'), null);
+  assert.strictEqual(parseEngagementSchedule('90s'), null);
+});
+
+test('EngagementTracker: samples on the schedule and counts organic scrapes past a checkpoint', async () => {
+  const tracker = createTracker();
+  const posted = Date.now() - 10 * MINUTE;
+  const id = tweetIdAt(posted);
+  
+  // The watchlist hands over the tweet it just found - that is the first sample
+  const entry = tracker.track(id, { source: 'watchlist', tweet: tweet(id, { likes: 5 }) });
+  assert.strictEqual(tracker.samples.get(id).length, 1);
+  assert.strictEqual(entry.next_sample_at, at(posted, 30 * MINUTE));
+  assert.strictEqual(tracker.track(id), null);
+  
+  // A search that happens to return the tweet after 35 minutes stands in for the 30m checkpoint
+  tracker.observe([tweet(id, { likes: 40 })], at(posted, 35 * MINUTE));
+  assert.strictEqual(entry.next_sample_at, at(posted, 2 * HOUR));
+  
+  tracker.observe([tweet(id, { likes: 90 })], at(posted, 72 * HOUR));
+  assert.strictEqual(entry.status, 'completed');
+  assert.strictEqual(tracker.samples.get(id).length, 3);
+  
+  // Tweets older than the last checkpoint get a single sample
+  const old = tweetIdAt(Date.now() - 4 * 24 * HOUR);
+  assert.strictEqual(tracker.track(old, { tweet: tweet(old, {}) }).status, 'completed');
+});
+
+test('EngagementTracker: retries failed samples and stops for deleted tweets', async () => {
+  const tracker = createTracker();
+  const outcomes = [];
+  tracker.scrape = async tweetId => {
+    const result = outcomes.shift();
+    if (result.success) tracker.observe([tweet(tweetId, { likes: 12 })]);
+    return result;
+  };
+  
+  const posted = Date.now() - 3 * HOUR;
+  const id = tweetIdAt(posted);
+  const entry = tracker.track(id);
+  assert.ok(Date.parse(entry.next_sample_at) <= Date.now());
+  
+  outcomes.push({ success: false, error_code: 'TIMEOUT' }, { success: true });
+  await tracker.sample(entry);
+  assert.strictEqual(entry.consecutive_failures, 1);
+  assert.ok(Date.parse(entry.next_sample_at) > Date.now());
+  
+  await tracker.sample(entry);
+  assert.strictEqual(entry.consecutive_failures, 0);
+  assert.strictEqual(entry.next_sample_at, at(posted, 24 * HOUR));
+  
+  outcomes.push({ success: false, error_code: 'TWEET_DELETED' });
+  await tracker.sample(entry);
+  assert.strictEqual(entry.status, 'failed');
+  assert.strictEqual(entry.last_error_code, 'TWEET_DELETED');
+});
+
+test('EngagementTracker: series carries per-hour growth between samples', () => {
+  const tracker = createTracker();
+  const posted = Date.now() - 3 * HOUR;
+  const id = tweetIdAt(posted);
+  tracker.track(id);
+  tracker.observe([tweet(id, { likes: 30, retweets: 3 })], at(posted, 30 * MINUTE));
+  tracker.observe([tweet(id, { likes: 90, retweets: 6 })], at(posted, 2 * HOUR));
+  
+  const series = tracker.series(id);
+  assert.deepStrictEqual(series.samples.map(sample => [sample.age_minutes, sample.likes, sample.likes_per_hour]), [
+    [30, 30, 60],
+    [120, 90, 40]
+  ]);
+  assert.strictEqual(series.samples[0].views_per_hour, null);
+  assert.strictEqual(series.rates.since_posted.likes_per_hour, 45);
+  assert.strictEqual(series.rates.latest_interval.retweets_per_hour, 2);
+  assert.strictEqual(tracker.series('1'), null);
+});
+
+test('EngagementTracker: flags early growth well above the account baseline', () => {
+  const tracker = createTracker();
+  const posted = Date.now() - 3 * HOUR;
+  
+  // Earlier tweets of the account gained 8-12 likes in their first hour
+  [8, 10, 12].forEach((likes, index) => {
+    const id = tweetIdAt(posted - (index + 1) * 24 * HOUR);
+    tracker.track(id);
+    tracker.observe([tweet(id, { likes })], at(posted - (index + 1) * 24 * HOUR, HOUR));
+  });
+  
+  const id = tweetIdAt(posted, 1);
+  tracker.track(id);
+  tracker.observe([tweet(id, { likes: 25 })], at(posted, HOUR));
+  assert.strictEqual(tracker.series(id).anomaly.flagged, false);
+  
+  tracker.observe([tweet(id, { likes: 80 })], at(posted, 2 * HOUR));
+  const { anomaly } = tracker.series(id);
+  assert.strictEqual(anomaly.flagged, true);
+  assert.deepStrictEqual(anomaly.metrics, ['likes']);
+  assert.strictEqual(anomaly.baseline.likes_per_hour, 10);
+  assert.deepStrictEqual(tracker.list({ flagged: true }).map(entry => entry.tweet_id), [id]);
+  
+  // Samples and flags survive a restart (entries reach disk on the batch timer, or on flush)
+  tracker.flush();
+  const reloaded = new EngagementTracker(tracker.trackedPath, tracker.samplesPath);
+  reloaded.load();
+  assert.strictEqual(reloaded.series(id).samples.length, 2);
+  assert.deepStrictEqual(reloaded.get(id).anomaly.metrics, ['likes']);
+});
@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+
+const {
+  parseTimelinePayload,
+  tweetToHtml,
+  renderRssFeed,
+  renderAtomFeed,
+  renderJsonFeed
+} = require('../server');
+
+const loadFixture = name => require(path.join(__dirname, 'fixtures', 'graphql', `${name}.json`));
+
+const result = {
+  success: true,
+  username: 'example',
+  displayName: 'Example <Account>',
+  tweets: parseTimelinePayload(loadFixture('UserTweets')),
+  scraped_at: '2024-05-22T08:00:00.000Z'
+};
+const selfUrl = 'https://scraper.example.com/feed/example.rss';
+
+test('RSS: one item per tweet with stable GUIDs, RFC 822 dates and escaped HTML', () => {
+  const xml = renderRssFeed(result, selfUrl);
+  
+  assert.ok(xml.startsWith('<?xml version="1.0" encoding="UTF-8"?>\n<rss version="2.0"'));
+  assert.ok(xml.includes('<title>Example &lt;Account&gt; (@example) / X</title>'));
+  assert.ok(xml.includes(`<atom:link href="${selfUrl}" rel="self" type="application/rss+xml"/>`));
+  assert.strictEqual(xml.match(/<item>/g).length, result.tweets.length);
+  assert.ok(xml.includes('<guid isPermaLink="false">1800000000000000003</guid>'));
+  assert.ok(xml.includes('<pubDate>Tue, 21 May 2024 16:30:00 GMT</pubDate>'));
+  
+  // Retweets keep their own timeline ID as GUID and credit the original author
+  assert.ok(xml.includes('<guid isPermaLink="false">1800000000000000002</guid>'));
+  assert.ok(xml.includes('<title>RT @otheruser: Original thoughts from someone else</title>'));
+  
+  // No raw markup leaks out of the description
+  assert.ok(!/<description>[^<]*<(?!\/description>)/.test(xml));
+});
+
+test('Atom: entries carry tag URIs, published dates and HTML content', () => {
+  const xml = renderAtomFeed(result, selfUrl);
+  
+  assert.ok(xml.includes('<feed xmlns="http://www.w3.org/2005/Atom">'));
+  assert.ok(xml.includes('<id>tag:x.com,2006:status:1800000000000000003</id>'));
+  assert.ok(xml.includes('<published>2024-05-21T16:30:00.000Z</published>'));
+  assert.ok(xml.includes('<content type="html">&lt;p&gt;'));
+  assert.strictEqual(xml.match(/<entry>/g).length, result.tweets.length);
+});
+
+test('JSON Feed: 1.1 document with content_html, dates and images', () => {
+  const feed = JSON.parse(renderJsonFeed(result, selfUrl));
+  
+  assert.strictEqual(feed.version, 'https://jsonfeed.org/version/1.1');
+  assert.strictEqual(feed.feed_url, selfUrl);
+  assert.strictEqual(feed.home_page_url, 'https://x.com/example');
+  
+  const [first] = feed.items;
+  assert.strictEqual(first.id, '1800000000000000003');
+  assert.strictEqual(first.url, 'https://x.com/example/status/1800000000000000003');
+  assert.strictEqual(first.date_published, '2024-05-21T16:30:00.000Z');
+  assert.strictEqual(first.image, 'https://pbs.twimg.com/media/GOexample01?format=jpg&name=orig');
+  assert.ok(first.content_html.includes('<a href="https://example.com/releases">https://example.com/releases</a>'));
+});
+
+test('tweetToHtml: links mentions and hashtags, escapes text and renders quotes', () => {
+  const html = tweetToHtml({
+    type: 'quote',
+    username: 'example',
+    text: 'Hi @carol, see #scraping <b>now</b>\nhttps://example.com/a?b=1&c=2',
+    media: [],
+    card: null,
+    poll: { options: [{ label: 'Yes', percent: 80 }, { label: 'No', percent: 20 }] },
+    in_reply_to: [],
+    quoted_tweet: { unavailable: true }
+  });
+  
+  assert.ok(html.includes('<a href="https://x.com/carol">@carol</a>'));
+  assert.ok(html.includes('<a href="https://x.com/hashtag/scraping">#scraping</a>'));
+  assert.ok(html.includes('&lt;b&gt;now&lt;/b&gt;<br>'));
+  assert.ok(html.includes('<a href="https://example.com/a?b=1&amp;c=2">https://example.com/a?b=1&amp;c=2</a>'));
+  assert.ok(html.includes('<ul><li>Yes - 80%</li><li>No - 20%</li></ul>'));
+  assert.ok(html.includes('Quoted post unavailable'));
+});
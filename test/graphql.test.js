@@ -0,0 +1,317 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+
+const {
+  parseTimelinePayload,
+  extractTweetsFromPayloads,
+  mergeTimelineBatch,
+  parseTweetDetail,
+  buildThread,
+  parseCount,
+  finalizeDomPoll,
+  parseUserProfile,
+  findPinnedTweet
+} = require('../server');
+
+const loadFixture = name => require(path.join(__dirname, 'fixtures', 'graphql', `${name}.json`));
+
+test('UserTweets: parses timeline entries into the tweet schema', () => {
+  const tweets = parseTimelinePayload(loadFixture('UserTweets'));
+  
+  assert.deepStrictEqual(tweets.map(tweet => tweet.id), [
+    '1800000000000000003',
+    '1799999999999999999',
+    '1800000000000000001',
+    '1799999999999999000',
+    '1799999999999998000',
+    '1799999999999997500'
+  ]);
+  
+  const [first] = tweets;
+  assert.strictEqual(first.username, 'example');
+  assert.strictEqual(first.displayName, 'Example Account');
+  assert.strictEqual(first.link, 'https://x.com/example/status/1800000000000000003');
+  assert.strictEqual(first.timestamp, '2024-05-21T16:30:00.000Z');
+  assert.strictEqual(first.likes, 1520);
+  assert.strictEqual(first.retweets, 210);
+  assert.strictEqual(first.replies, 98);
+  assert.strictEqual(first.views, 1234567);
+});
+
+test('UserTweets: expands t.co links, strips media links and decodes entities', () => {
+  const [first] = parseTimelinePayload(loadFixture('UserTweets'));
+  assert.strictEqual(first.text, 'Release notes are up & worth a read https://example.com/releases');
+});
+
+test('UserTweets: skips pinned and promoted entries', () => {
+  const ids = parseTimelinePayload(loadFixture('UserTweets')).map(tweet => tweet.id);
+  assert.ok(!ids.includes('1700000000000000001'));
+  assert.ok(!ids.includes('1800000000000000099'));
+  
+  const withPinned = parseTimelinePayload(loadFixture('UserTweets'), { includePinned: true });
+  assert.ok(withPinned.some(tweet => tweet.id === '1700000000000000001'));
+});
+
+test('UserTweets: retweets report the original tweet and author', () => {
+  const retweet = parseTimelinePayload(loadFixture('UserTweets'))
+    .find(tweet => tweet.id === '1799999999999999999');
+  
+  assert.strictEqual(retweet.username, 'otheruser');
+  assert.strictEqual(retweet.text, 'Original thoughts from someone else');
+  assert.strictEqual(retweet.likes, 2300);
+  assert.strictEqual(retweet.type, 'retweet');
+  assert.strictEqual(retweet.retweeted_by, 'example');
+  assert.strictEqual(retweet.retweet_id, '1800000000000000002');
+});
+
+test('UserTweets: classifies originals, quotes and replies', () => {
+  const tweets = parseTimelinePayload(loadFixture('UserTweets'));
+  const byId = id => tweets.find(tweet => tweet.id === id);
+  
+  assert.strictEqual(byId('1800000000000000003').type, 'original');
+  assert.strictEqual(byId('1800000000000000003').retweeted_by, null);
+  assert.deepStrictEqual(byId('1800000000000000003').in_reply_to, []);
+  assert.strictEqual(byId('1800000000000000003').quoted_tweet, null);
+  
+  const reply = byId('1799999999999998000');
+  assert.strictEqual(reply.type, 'reply');
+  assert.deepStrictEqual(reply.in_reply_to, ['carol', 'dave']);
+  
+  const quote = byId('1799999999999999000');
+  assert.strictEqual(quote.type, 'quote');
+  assert.strictEqual(quote.quoted_tweet.id, '1790000000000000000');
+  assert.strictEqual(quote.quoted_tweet.username, 'quoted_author');
+  assert.strictEqual(quote.quoted_tweet.text, 'Scrapers should respect rate limits.');
+  assert.strictEqual(quote.quoted_tweet.type, 'original');
+  
+  assert.deepStrictEqual(byId('1799999999999997500').quoted_tweet, {
+    id: '1780000000000000000',
+    link: 'https://x.com/gone/status/1780000000000000000',
+    unavailable: true
+  });
+});
+
+test('extractTweetsFromPayloads: filters retweets and replies on request', () => {
+  const payloads = [{ operation: 'UserTweets', data: loadFixture('UserTweets') }];
+  const types = filters => extractTweetsFromPayloads(payloads, 10, filters).map(tweet => tweet.type);
+  
+  assert.ok(types({}).includes('retweet'));
+  assert.ok(types({}).includes('reply'));
+  assert.ok(!types({ includeRetweets: false }).includes('retweet'));
+  assert.ok(!types({ includeReplies: false }).includes('reply'));
+  assert.ok(types({ includeRetweets: false, includeReplies: false }).includes('quote'));
+});
+
+test('UserTweets: unwraps visibility results and prefers note_tweet text', () => {
+  const note = parseTimelinePayload(loadFixture('UserTweets'))
+    .find(tweet => tweet.id === '1800000000000000001');
+  
+  assert.strictEqual(note.username, 'example');
+  assert.ok(note.text.endsWith('rather than legacy.full_text.'));
+  assert.strictEqual(note.views, 5120);
+});
+
+test('SearchTimeline: takes the author from each tweet and skips tombstones and users', () => {
+  const tweets = parseTimelinePayload(loadFixture('SearchTimeline'));
+  
+  assert.deepStrictEqual(tweets.map(tweet => [tweet.id, tweet.username]), [
+    ['1810000000000000002', 'alice_dev'],
+    ['1810000000000000000', 'bob']
+  ]);
+  assert.strictEqual(tweets[0].text, 'Headless Chrome <3 puppeteer https://pptr.dev/guides');
+  assert.strictEqual(tweets[1].views, 0);
+});
+
+test('extractTweetsFromPayloads: merges pages, dedupes by ID and caps results', () => {
+  const payloads = [
+    { operation: 'UserTweets', data: loadFixture('UserTweets') },
+    { operation: 'UserTweets', data: loadFixture('UserTweets') },
+    { operation: 'SearchTimeline', data: loadFixture('SearchTimeline') }
+  ];
+  
+  const tweets = extractTweetsFromPayloads(payloads, 4);
+  
+  assert.deepStrictEqual(tweets.map(tweet => tweet.id), [
+    '1810000000000000002',
+    '1810000000000000000',
+    '1800000000000000003',
+    '1799999999999999999'
+  ]);
+  assert.deepStrictEqual(tweets.map(tweet => tweet.position), [0, 1, 2, 3]);
+  assert.strictEqual(tweets[3].retweet_id, '1800000000000000002');
+});
+
+test('mergeTimelineBatch: dedupes across scrolls and stops at since_id', () => {
+  const tweets = parseTimelinePayload(loadFixture('UserTweets'));
+  const collected = new Map();
+  
+  assert.deepStrictEqual(mergeTimelineBatch(collected, tweets.slice(0, 2)), { added: 2, boundary: null });
+  assert.deepStrictEqual(mergeTimelineBatch(collected, tweets.slice(0, 3)), { added: 1, boundary: null });
+  
+  // The retweet is keyed by its own ID (1800000000000000002), so it sits above the boundary
+  const bounded = new Map();
+  const result = mergeTimelineBatch(bounded, tweets, { sinceId: '1800000000000000001' });
+  assert.deepStrictEqual(result, { added: 2, boundary: 'since_id' });
+  assert.deepStrictEqual(Array.from(bounded.keys()), ['1800000000000000003', '1800000000000000002']);
+});
+
+test('mergeTimelineBatch: stops at a since date', () => {
+  const collected = new Map();
+  const result = mergeTimelineBatch(collected, parseTimelinePayload(loadFixture('UserTweets')), {
+    since: new Date('2024-05-20T00:00:00Z')
+  });
+  
+  assert.strictEqual(result.boundary, 'since');
+  assert.deepStrictEqual(Array.from(collected.keys()), ['1800000000000000003', '1800000000000000002']);
+});
+
+test('TweetDetail: builds ancestors, self-thread and replies with parent links', () => {
+  const { tweets, unavailable } = parseTweetDetail(
+    [{ operation: 'TweetDetail', data: loadFixture('TweetDetail') }],
+    '1820000000000000001'
+  );
+  assert.strictEqual(unavailable, null);
+  
+  const conversation = buildThread(tweets, '1820000000000000001', 20);
+  
+  assert.strictEqual(conversation.tweet.id, '1820000000000000001');
+  assert.strictEqual(conversation.tweet.parent_id, '1820000000000000000');
+  assert.deepStrictEqual(conversation.ancestors.map(tweet => tweet.id), ['1820000000000000000']);
+  assert.deepStrictEqual(conversation.thread.map(tweet => tweet.id), [
+    '1820000000000000002',
+    '1820000000000000003'
+  ]);
+  assert.deepStrictEqual(conversation.replies.map(tweet => [tweet.id, tweet.parent_id]), [
+    ['1820000000000000010', '1820000000000000001'],
+    ['1820000000000000011', '1820000000000000010'],
+    ['1820000000000000012', '1820000000000000001']
+  ]);
+  assert.deepStrictEqual(conversation.tweet.reply_ids, [
+    '1820000000000000002',
+    '1820000000000000010',
+    '1820000000000000012'
+  ]);
+});
+
+test('TweetDetail: caps replies', () => {
+  const { tweets } = parseTweetDetail(
+    [{ operation: 'TweetDetail', data: loadFixture('TweetDetail') }],
+    '1820000000000000001'
+  );
+  const conversation = buildThread(tweets, '1820000000000000001', 1);
+  
+  assert.strictEqual(conversation.replies.length, 1);
+  assert.strictEqual(conversation.thread.length, 2);
+});
+
+test('TweetDetail: reports a deleted focal tweet', () => {
+  const { tweets, unavailable } = parseTweetDetail(
+    [{ operation: 'TweetDetail', data: loadFixture('TweetDetail-deleted') }],
+    '1820000000000000050'
+  );
+  
+  assert.strictEqual(tweets.length, 0);
+  assert.strictEqual(unavailable.code, 'TWEET_DELETED');
+});
+
+test('parseCount: handles plain, comma-separated and abbreviated counts', () => {
+  assert.strictEqual(parseCount('1,234'), 1234);
+  assert.strictEqual(parseCount('1.2K'), 1200);
+  assert.strictEqual(parseCount('3.4M Followers'), 3400000);
+  assert.strictEqual(parseCount('2B'), 2000000000);
+  assert.strictEqual(parseCount('56 Replies. Reply'), 56);
+  assert.strictEqual(parseCount(''), 0);
+  assert.strictEqual(parseCount(undefined), 0);
+  assert.strictEqual(parseCount(42), 42);
+});
+
+test('UserByScreenName: maps profile metadata and badge type', () => {
+  const profile = parseUserProfile([{ operation: 'UserByScreenName', data: loadFixture('UserByScreenName') }]);
+  
+  assert.strictEqual(profile.id, '44196397');
+  assert.strictEqual(profile.username, 'example');
+  assert.strictEqual(profile.displayName, 'Example Account');
+  assert.strictEqual(profile.bio, 'Building things. Docs at https://example.com/docs');
+  assert.strictEqual(profile.location, 'San Francisco, CA');
+  assert.strictEqual(profile.website, 'https://example.com');
+  assert.strictEqual(profile.joined_at, '2009-06-02T20:12:29.000Z');
+  assert.strictEqual(profile.followers, 1234567);
+  assert.strictEqual(profile.following, 512);
+  assert.strictEqual(profile.posts, 34567);
+  assert.strictEqual(profile.verified, true);
+  assert.strictEqual(profile.verification_type, 'business');
+  assert.strictEqual(profile.avatar_url, 'https://pbs.twimg.com/profile_images/1600000000000000000/AbCdEf_400x400.jpg');
+  assert.strictEqual(profile.banner_url, 'https://pbs.twimg.com/profile_banners/44196397/1690000000');
+  assert.strictEqual(profile.protected, false);
+  assert.strictEqual(profile.pinned_tweet_id, '1700000000000000001');
+});
+
+test('UserTweets: finds the pinned tweet', () => {
+  const pinned = findPinnedTweet([{ operation: 'UserTweets', data: loadFixture('UserTweets') }]);
+  
+  assert.strictEqual(pinned.id, '1700000000000000001');
+  assert.strictEqual(pinned.text, 'This is the pinned tweet');
+  assert.strictEqual(pinned.views, 900000);
+});
+
+test('UserTweets: photos come back at original resolution with alt text', () => {
+  const [first] = parseTimelinePayload(loadFixture('UserTweets'));
+  
+  assert.deepStrictEqual(first.media, [{
+    type: 'photo',
+    alt_text: 'Screenshot of the release notes',
+    width: 1600,
+    height: 900,
+    url: 'https://pbs.twimg.com/media/GOexample01?format=jpg&name=orig'
+  }]);
+  assert.strictEqual(first.card, null);
+  assert.strictEqual(first.poll, null);
+});
+
+test('SearchTimeline: parses video variants and link cards', () => {
+  const [tweet] = parseTimelinePayload(loadFixture('SearchTimeline'));
+  const [video] = tweet.media;
+  
+  assert.strictEqual(video.type, 'video');
+  assert.strictEqual(video.url, 'https://video.twimg.com/amplify_video/1810000000000000200/vid/avc1/1280x720/high.mp4');
+  assert.strictEqual(video.preview_url, 'https://pbs.twimg.com/amplify_video_thumb/1810000000000000200/img/thumb.jpg');
+  assert.strictEqual(video.duration_ms, 15015);
+  assert.strictEqual(video.variants.length, 3);
+  
+  assert.deepStrictEqual(tweet.card, {
+    type: 'summary_large_image',
+    title: 'Puppeteer guides',
+    description: 'Learn how to automate Chrome.',
+    domain: 'pptr.dev',
+    url: 'https://pptr.dev/guides',
+    image_url: 'https://pbs.twimg.com/card_img/1810000000000000300/abc?format=jpg&name=orig'
+  });
+});
+
+test('SearchTimeline: parses polls', () => {
+  const tweet = parseTimelinePayload(loadFixture('SearchTimeline'))
+    .find(candidate => candidate.id === '1810000000000000000');
+  
+  assert.strictEqual(tweet.card, null);
+  assert.deepStrictEqual(tweet.poll, {
+    options: [{ label: 'Yes', votes: 120 }, { label: 'No', votes: 30 }],
+    total_votes: 150,
+    end_time: '2024-07-03T09:00:00.000Z',
+    ended: true,
+    duration_minutes: 1440
+  });
+});
+
+test('finalizeDomPoll: converts rendered percentages into vote counts', () => {
+  const now = Date.parse('2024-07-01T00:00:00Z');
+  const poll = finalizeDomPoll({
+    options: [{ label: 'Tabs', percent: 62.5 }, { label: 'Spaces', percent: 37.5 }],
+    summary: '1,600 votes · 2 days left'
+  }, now);
+  
+  assert.deepStrictEqual(poll.options, [{ label: 'Tabs', votes: 1000 }, { label: 'Spaces', votes: 600 }]);
+  assert.strictEqual(poll.total_votes, 1600);
+  assert.strictEqual(poll.end_time, '2024-07-03T00:00:00.000Z');
+  assert.strictEqual(poll.ended, false);
+});
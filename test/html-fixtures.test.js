@@ -0,0 +1,87 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const puppeteer = require('puppeteer');
+
+const { validateAccountAccess, extractTweets } = require('../server');
+
+// Each directory holds page.html, payloads.json and meta.json as written by
+// FIXTURE_CAPTURE_DIR, plus expected.json. Run with UPDATE_SNAPSHOTS=1 to
+// rewrite the snapshots after a deliberate markup or extractor change.
+const fixturesDir = path.join(__dirname, 'fixtures', 'html');
+const updateSnapshots = process.env.UPDATE_SNAPSHOTS === '1';
+
+let browser = null;
+let launchError = null;
+
+before(async () => {
+  try {
+    browser = await puppeteer.launch({ headless: true, args: ['--no-sandbox', '--disable-setuid-sandbox'] });
+  } catch (error) {
+    launchError = error;
+  }
+});
+
+after(async () => {
+  if (browser) await browser.close();
+});
+
+function loadFixture(name) {
+  const dir = path.join(fixturesDir, name);
+  const expectedPath = path.join(dir, 'expected.json');
+  
+  return {
+    meta: JSON.parse(fs.readFileSync(path.join(dir, 'meta.json'), 'utf8')),
+    html: fs.readFileSync(path.join(dir, 'page.html'), 'utf8'),
+    expectedPath,
+    expected: fs.existsSync(expectedPath) ? JSON.parse(fs.readFileSync(expectedPath, 'utf8')) : null
+  };
+}
+
+// Serve the captured document at its original URL so page.url() checks behave
+// as they did live; every other request is aborted to keep the run offline
+async function openFixture({ meta, html }) {
+  const page = await browser.newPage();
+  await page.setRequestInterception(true);
+  
+  page.on('request', request => {
+    if (request.isNavigationRequest() && request.frame() === page.mainFrame()) {
+      request.respond({ status: 200, contentType: 'text/html; charset=utf-8', body: html });
+    } else {
+      request.abort();
+    }
+  });
+  
+  await page.goto(meta.url, { waitUntil: 'load' });
+  return page;
+}
+
+for (const name of fs.readdirSync(fixturesDir).sort()) {
+  test(`HTML fixture ${name}: validation and extracted tweets match the snapshot`, async t => {
+    if (!browser) {
+      t.skip(`Chrome unavailable: ${launchError.message.split('\n')[0]}`);
+      return;
+    }
+    
+    const fixture = loadFixture(name);
+    const page = await openFixture(fixture);
+    
+    try {
+      const validation = await validateAccountAccess(page, fixture.meta.username);
+      const tweets = await extractTweets(page, fixture.meta.username, 20);
+      
+      // scraped_at is the only field that changes between runs
+      const actual = { validation, tweets: tweets.map(({ scraped_at, ...tweet }) => tweet) };
+      
+      if (updateSnapshots || !fixture.expected) {
+        fs.writeFileSync(fixture.expectedPath, `${JSON.stringify(actual, null, 2)}\n`);
+        return;
+      }
+      
+      assert.deepStrictEqual(actual, fixture.expected);
+    } finally {
+      await page.close();
+    }
+  });
+}
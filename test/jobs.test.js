@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { JobManager } = require('../server');
+
+const options = { maxTweets: 10, timeline: {}, max_attempts: 3, retry_on: ['TIMEOUT', 'CONNECTION_ERROR'] };
+
+// Scrapes are replaced with canned results per target, returned in order per attempt
+const createManager = (outcomes = {}) => {
+  const manager = new JobManager(fs.mkdtempSync(path.join(os.tmpdir(), 'batch-jobs-')));
+  manager.retryBaseMs = 0;
+  manager.scrape = async (job, item) => {
+    const results = outcomes[item.username] || [{ success: true, username: item.username, tweets: [], count: 0 }];
+    return results[Math.min(item.attempts, results.length - 1)];
+  };
+  return manager;
+};
+
+const settle = async manager => {
+  for (let i = 0; i < 20 && (manager.inFlight > 0 || manager.list().some(job => !manager.isFinished(job))); i++) {
+    await new Promise(resolve => setImmediate(resolve));
+    manager.pump();
+  }
+};
+
+test('JobManager: parses usernames and profile/status URLs, once each', () => {
+  const manager = createManager();
+  
+  const { targets } = manager.parseTargets({
+    usernames: ['@Alice', 'alice'],
+    urls: ['https://x.com/alice', 'https://twitter.com/bob/status/123', 'https://x.com/carol?lang=en']
+  });
+  assert.deepStrictEqual(targets, [
+    { input: '@Alice', type: 'user', username: 'Alice' },
+    { input: 'https://twitter.com/bob/status/123', type: 'tweet', tweet_id: '123' },
+    { input: 'https://x.com/carol?lang=en', type: 'user', username: 'carol' }
+  ]);
+  
+  const { invalid } = manager.parseTargets({ usernames: ['not valid'], urls: ['https://x.com/search?q=a', 'https://example.com'] });
+  assert.deepStrictEqual(invalid, ['not valid', 'https://x.com/search?q=a', 'https://example.com']);
+});
+
+test('JobManager: retries only the configured error codes', async () => {
+  const timeout = { success: false, error: 'Navigation timeout', error_code: 'TIMEOUT' };
+  const manager = createManager({
+    flaky: [timeout, { success: true, username: 'flaky', tweets: [], count: 0 }],
+    slow: [timeout],
+    gone: [{ success: false, error: 'Account not found', error_code: 'NOT_FOUND' }]
+  });
+  
+  const { targets } = manager.parseTargets({ usernames: ['ok', 'flaky', 'slow', 'gone'] });
+  const job = manager.create(targets, options);
+  await settle(manager);
+  
+  assert.strictEqual(job.status, 'completed');
+  assert.deepStrictEqual(job.items.map(item => [item.username, item.status, item.attempts, item.error_code]), [
+    ['ok', 'succeeded', 1, null],
+    ['flaky', 'succeeded', 2, null],
+    ['slow', 'failed', 3, 'TIMEOUT'],
+    ['gone', 'failed', 1, 'NOT_FOUND']
+  ]);
+  assert.strictEqual(manager.progress(job).percent, 100);
+});
+
+test('JobManager: cancelling leaves running targets to finish and skips the rest', async () => {
+  const manager = createManager();
+  manager.concurrency = 1;
+  
+  const job = manager.create(manager.parseTargets({ usernames: ['a', 'b', 'c'] }).targets, options);
+  manager.cancel(job.id);
+  await settle(manager);
+  
+  assert.strictEqual(job.status, 'cancelled');
+  assert.deepStrictEqual(job.items.map(item => item.status), ['succeeded', 'cancelled', 'cancelled']);
+  assert.ok(job.finished_at);
+});
+
+test('JobManager: unfinished jobs resume after a reload', async () => {
+  const manager = createManager();
+  manager.scrape = () => new Promise(() => {});
+  const job = manager.create(manager.parseTargets({ usernames: ['a', 'b', 'c'] }).targets, options);
+  
+  const restarted = createManager();
+  restarted.dir = manager.dir;
+  restarted.load();
+  const resumed = restarted.get(job.id);
+  assert.deepStrictEqual(resumed.items.map(item => item.status), ['pending', 'pending', 'pending']);
+  
+  restarted.pump();
+  await settle(restarted);
+  assert.strictEqual(resumed.status, 'completed');
+  assert.deepStrictEqual(resumed.items.map(item => item.attempts), [1, 1, 1]);
+});
@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { Logger, withLogContext } = require('../server');
+
+// Lines written while fn runs, parsed, with the stream each went to
+const capture = fn => {
+  const lines = [];
+  const originals = { stdout: process.stdout.write, stderr: process.stderr.write };
+  for (const stream of ['stdout', 'stderr']) {
+    process[stream].write = chunk => {
+      lines.push({ stream, ...JSON.parse(chunk) });
+      return true;
+    };
+  }
+  try {
+    fn();
+  } finally {
+    process.stdout.write = originals.stdout;
+    process.stderr.write = originals.stderr;
+  }
+  return lines;
+};
+
+test('Logger: drops lines below its level and sends warnings and errors to stderr', () => {
+  const logger = new Logger('info');
+  const lines = capture(() => {
+    logger.debug('hidden');
+    logger.info('shown');
+    logger.warn('careful');
+    logger.error('broken');
+  });
+  
+  assert.deepStrictEqual(lines.map(line => [line.level, line.msg, line.stream]), [
+    ['info', 'shown', 'stdout'],
+    ['warn', 'careful', 'stderr'],
+    ['error', 'broken', 'stderr']
+  ]);
+  assert.ok(!isNaN(Date.parse(lines[0].time)));
+  assert.deepStrictEqual(capture(() => new Logger('silent').error('nothing')), []);
+});
+
+test('Logger: one JSON object per line with base, context and call fields', () => {
+  const logger = new Logger('info');
+  logger.baseFields = () => ({ instance_id: 'abc123' });
+  
+  const [line] = capture(() => withLogContext({ request_id: 'req-1', scrape_id: 's-1' }, () => {
+    logger.info('Scrape finished', { username: 'example', duration_ms: 42, skipped: undefined });
+  }));
+  
+  assert.deepStrictEqual(line, {
+    stream: 'stdout',
+    level: 'info',
+    time: line.time,
+    msg: 'Scrape finished',
+    instance_id: 'abc123',
+    request_id: 'req-1',
+    scrape_id: 's-1',
+    username: 'example',
+    duration_ms: 42
+  });
+});
+
+test('Logger: serializes errors, with the stack only at debug level', () => {
+  const error = Object.assign(new Error('Navigation timeout'), { code: 'TIMEOUT' });
+  
+  const [info] = capture(() => new Logger('info').error('Scrape failed', { error }));
+  assert.deepStrictEqual(info.error, { message: 'Navigation timeout', code: 'TIMEOUT' });
+  
+  const [debug] = capture(() => new Logger('debug').error('Scrape failed', { error }));
+  assert.strictEqual(debug.error.stack, error.stack);
+  
+  // Unserializable fields still produce a line
+  const circular = {};
+  circular.self = circular;
+  const [fallback] = capture(() => new Logger('info').warn('Odd payload', { circular }));
+  assert.strictEqual(fallback.msg, 'Odd payload');
+  assert.match(fallback.log_error, /circular/i);
+});
@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { MetricsRegistry } = require('../server');
+
+test('MetricsRegistry: renders labelled counters with HELP and TYPE lines', async () => {
+  const registry = new MetricsRegistry('app');
+  const scrapes = registry.counter('scrapes_total', 'Scrapes by type');
+  scrapes.inc({ type: 'user', error_code: 'none' });
+  scrapes.inc({ error_code: 'none', type: 'user' }, 2);
+  scrapes.inc({ type: 'search', error_code: 'say "hi"\\\n' });
+  
+  assert.strictEqual(await registry.render(), [
+    '# HELP app_scrapes_total Scrapes by type',
+    '# TYPE app_scrapes_total counter',
+    'app_scrapes_total{type="user",error_code="none"} 3',
+    'app_scrapes_total{type="search",error_code="say \\"hi\\"\\\\\\n"} 1',
+    ''
+  ].join('\n'));
+});
+
+test('MetricsRegistry: histograms count cumulative buckets, +Inf, sum and count', async () => {
+  const registry = new MetricsRegistry('app');
+  const duration = registry.histogram('duration_seconds', 'Duration', [1, 5]);
+  for (const value of [0.5, 2, 9]) duration.observe({ type: 'user' }, value);
+  
+  assert.deepStrictEqual((await registry.render()).trim().split('\n').slice(2), [
+    'app_duration_seconds_bucket{type="user",le="1"} 1',
+    'app_duration_seconds_bucket{type="user",le="5"} 2',
+    'app_duration_seconds_bucket{type="user",le="+Inf"} 3',
+    'app_duration_seconds_sum{type="user"} 11.5',
+    'app_duration_seconds_count{type="user"} 3'
+  ]);
+});
+
+test('MetricsRegistry: collectors add gauges, skip missing values and survive failures', async () => {
+  const registry = new MetricsRegistry('app');
+  registry.collect(() => { throw new Error('collector broke'); });
+  registry.collect(async () => [
+    { name: 'pages', help: 'Pooled pages by state', samples: [{ labels: { state: 'busy' }, value: 1 }, { labels: { state: 'idle' }, value: 2 }] },
+    { name: 'chrome_memory_rss_bytes', help: 'Chrome memory', samples: [{ value: null }] },
+    { name: 'restarts_total', help: 'Restarts', type: 'counter', samples: [{ value: '4' }] }
+  ]);
+  
+  assert.strictEqual(await registry.render(), [
+    '# HELP app_pages Pooled pages by state',
+    '# TYPE app_pages gauge',
+    'app_pages{state="busy"} 1',
+    'app_pages{state="idle"} 2',
+    '# HELP app_chrome_memory_rss_bytes Chrome memory',
+    '# TYPE app_chrome_memory_rss_bytes gauge',
+    '# HELP app_restarts_total Restarts',
+    '# TYPE app_restarts_total counter',
+    'app_restarts_total 4',
+    ''
+  ].join('\n'));
+});
@@ -0,0 +1,128 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { parseTimelinePayload, RulesEngine, compileRuleCondition } = require('../server');
+
+const createEngine = () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'alert-rules-'));
+  return new RulesEngine(path.join(dir, 'rules.json'), path.join(dir, 'alerts.json'));
+};
+
+const tweet = overrides => ({
+  id: '1',
+  username: 'example',
+  text: 'Our API had an outage this morning, $TSLA #status @ops',
+  lang: 'en',
+  likes: 500,
+  retweets: 20,
+  views: 10000,
+  in_reply_to: [],
+  ...overrides
+});
+
+test('compileRuleCondition: leaf keys combine with AND and report why they matched', () => {
+  const match = compileRuleCondition({ keywords: ['Outage', 'downtime'], min_likes: 100 });
+  
+  assert.deepStrictEqual(match(tweet()), ['keyword:Outage', 'likes>=100']);
+  assert.strictEqual(match(tweet({ likes: 10 })), null);
+  // Whole words only
+  assert.strictEqual(match(tweet({ text: 'Three outages this week' })), null);
+});
+
+test('compileRuleCondition: all/any trees, regex, tags and lang', () => {
+  const match = compileRuleCondition({
+    all: [
+      { any: [{ cashtags: ['tsla'] }, { regex: 'is (down|offline)' }] },
+      { hashtags: ['#Status'], lang: ['EN'] }
+    ]
+  });
+  
+  assert.deepStrictEqual(match(tweet()), ['cashtag:$tsla', 'hashtag:#status', 'lang:en']);
+  assert.deepStrictEqual(match(tweet({ text: 'The site IS DOWN #status' })), ['regex:is (down|offline)', 'hashtag:#status', 'lang:en']);
+  assert.strictEqual(match(tweet({ lang: 'de' })), null);
+  
+  const mentions = compileRuleCondition({ mentions: ['@carol'] });
+  assert.deepStrictEqual(mentions(tweet({ text: 'glad it helped', in_reply_to: ['Carol'] })), ['mention:@carol']);
+});
+
+test('compileRuleCondition: rejects invalid rules with the offending path', () => {
+  const invalid = [
+    [{}, /^match: must contain at least one condition/],
+    [{ any: [] }, /^match\.any: must be a non-empty array/],
+    [{ all: [{ keywords: 'outage' }] }, /^match\.all\[0\]\.keywords: must be a non-empty array of strings/],
+    [{ regex: '(' }, /^match\.regex: invalid regular expression/],
+    [{ flags: 'i' }, /^match\.flags: only allowed next to regex/],
+    [{ regex: 'a', flags: 'gi' }, /^match\.flags: must only contain i, m, s and u/],
+    [{ regex: 'x'.repeat(201) }, /^match\.regex: must be at most 200 characters/],
+    [{ regex: '(a+)+$' }, /^match\.regex: nested quantifiers/],
+    [{ regex: '^(\\w+\\s?)*$' }, /^match\.regex: nested quantifiers/],
+    [{ regex: '((ab)*c){2,}' }, /^match\.regex: nested quantifiers/],
+    [{ min_likes: -1 }, /^match\.min_likes: must be a non-negative number/],
+    [{ any: [{ keywords: ['a'] }], min_likes: 1 }, /^match: "all" and "any" must be the only key/],
+    [{ sentiment: 'positive' }, /^match\.sentiment: unknown condition/]
+  ];
+  
+  for (const [match, message] of invalid) {
+    assert.throws(() => compileRuleCondition(match), error => error.code === 'INVALID_RULE' && message.test(error.message));
+  }
+  
+  // Quantifiers in classes, escaped parentheses and bounded repeats are fine
+  for (const regex of ['([a-z+]*)', '\\(\\d+\\)+', '(ab?){3}', '(down|offline)+']) {
+    assert.doesNotThrow(() => compileRuleCondition({ regex, flags: 'iu' }), regex);
+  }
+});
+
+test('RulesEngine: records one alert per rule and tweet, scoped to usernames', () => {
+  const engine = createEngine();
+  const rule = engine.create({ name: 'Outages', usernames: ['@Example'], match: { keywords: ['outage'] } });
+  engine.create({ name: 'Disabled', enabled: false, match: { min_likes: 0 } });
+  
+  const fired = [];
+  engine.on('alert', alert => fired.push(alert));
+  
+  const alerts = engine.process([tweet(), tweet({ id: '2', username: 'other' })], 'user');
+  assert.strictEqual(alerts.length, 1);
+  assert.strictEqual(alerts[0].rule_id, rule.id);
+  assert.strictEqual(alerts[0].tweet_id, '1');
+  assert.deepStrictEqual(alerts[0].reasons, ['keyword:outage']);
+  assert.strictEqual(fired.length, 1);
+  
+  // A rescrape of the same tweet does not fire again
+  assert.strictEqual(engine.process([tweet({ likes: 900 })], 'user').length, 0);
+  assert.strictEqual(engine.rules.get(rule.id).fire_count, 1);
+  
+  // Fire counts and alerts reach disk on the batch timer, or right away on flush
+  engine.flush();
+  const reloaded = new RulesEngine(engine.rulesPath, engine.alertsPath);
+  reloaded.load();
+  assert.strictEqual(reloaded.rules.size, 2);
+  assert.strictEqual(reloaded.rules.get(rule.id).fire_count, 1);
+  assert.strictEqual(reloaded.listAlerts({ username: '@EXAMPLE' }).length, 1);
+  assert.strictEqual(reloaded.process([tweet()], 'user').length, 0);
+});
+
+test('RulesEngine: updates revalidate the merged rule', () => {
+  const engine = createEngine();
+  const rule = engine.create({ name: 'Viral', match: { min_likes: 1000 } });
+  
+  assert.throws(() => engine.update(rule.id, { match: { min_likes: 'lots' } }), { code: 'INVALID_RULE' });
+  assert.throws(() => engine.create({ name: 'Numeric', usernames: [12345], match: { min_likes: 1 } }), { code: 'INVALID_RULE' });
+  assert.strictEqual(engine.update('missing', { name: 'x' }), null);
+  
+  const updated = engine.update(rule.id, { match: { min_likes: 100 } });
+  assert.strictEqual(updated.name, 'Viral');
+  assert.strictEqual(engine.evaluate([tweet()]).length, 1);
+});
+
+test('RulesEngine: evaluates parsed timeline tweets', () => {
+  const engine = createEngine();
+  engine.create({ name: 'English', match: { lang: ['en'] } });
+  
+  const tweets = parseTimelinePayload(require('./fixtures/graphql/UserTweets.json'));
+  const matches = engine.evaluate(tweets);
+  assert.ok(matches.length > 0);
+  assert.ok(matches.every(({ tweet }) => tweet.lang === 'en'));
+});
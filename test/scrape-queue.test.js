@@ -0,0 +1,141 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { ScrapeQueue, SessionPool, parseCookieUpload } = require('../server');
+
+// Stand-ins for the browser manager, session pool and proxy pool the queue drives
+const createBrowser = proxyPool => ({
+  proxy: proxyPool.current,
+  events: [],
+  released: [],
+  async acquirePage() {
+    this.events.push(`acquire:${this.proxy?.id}`);
+    return {};
+  },
+  async releasePage(page, options) {
+    this.released.push(options);
+  },
+  async applySession() {},
+  async restart(reason) {
+    this.events.push(`restart:${reason}`);
+    this.proxy = proxyPool.select();
+  }
+});
+
+const noSessions = { acquire: () => null, size: () => 0, report() {} };
+const noProxies = { mode: 'session', current: null, select: () => null, report() {} };
+
+// Task that resolves when the returned release() is called
+const held = () => {
+  let release;
+  const gate = new Promise(resolve => { release = resolve; });
+  return { task: async () => { await gate; return { success: true }; }, release };
+};
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+test('ScrapeQueue: browser proxy rotation waits until running jobs are done', async () => {
+  const [first, second] = [{ id: 'proxy-1' }, { id: 'proxy-2' }];
+  const proxyPool = { mode: 'browser', current: first, select() { return this.current; }, report() {} };
+  const browser = createBrowser(proxyPool);
+  const queue = new ScrapeQueue(browser, noSessions, proxyPool);
+  queue.concurrency = 3;
+  
+  const a = held();
+  const jobA = queue.run('a', a.task);
+  await tick();
+  
+  // The binding rotates while job A still has its page
+  proxyPool.current = second;
+  const b = held();
+  const jobB = queue.run('b', b.task);
+  await tick();
+  const jobC = queue.run('c', async () => ({ success: true }));
+  await tick();
+  
+  assert.deepStrictEqual(browser.events, ['acquire:proxy-1', 'acquire:proxy-1']);
+  assert.strictEqual(queue.getStats().proxy_rotation_pending, true);
+  assert.strictEqual(queue.queue.length, 1);
+  
+  a.release();
+  b.release();
+  await Promise.all([jobA, jobB, jobC]);
+  
+  assert.deepStrictEqual(browser.events, ['acquire:proxy-1', 'acquire:proxy-1', 'restart:proxy_rotation', 'acquire:proxy-2']);
+  assert.strictEqual(queue.getStats().proxy_rotation_pending, false);
+  assert.strictEqual(queue.completed, 3);
+});
+
+test('ScrapeQueue: runs at most `concurrency` jobs, in order, and rejects past the queue limit', async () => {
+  const queue = new ScrapeQueue(createBrowser(noProxies), noSessions, noProxies);
+  queue.concurrency = 2;
+  queue.maxQueue = 1;
+  const started = [];
+  const job = (label, gate) => queue.run(label, async () => {
+    started.push(label);
+    if (gate) await gate.task();
+    return { success: true };
+  });
+  
+  const [a, b] = [held(), held()];
+  const jobs = [job('a', a), job('b', b), job('c')];
+  await tick();
+  
+  await assert.rejects(job('d'), { code: 'QUEUE_FULL' });
+  assert.deepStrictEqual(started, ['a', 'b']);
+  assert.strictEqual(queue.getStats().running, 2);
+  assert.strictEqual(queue.getStats().queue_depth, 1);
+  assert.strictEqual(queue.getStats().rejected, 1);
+  
+  a.release();
+  await jobs[0];
+  await tick();
+  assert.deepStrictEqual(started, ['a', 'b', 'c']);
+  
+  b.release();
+  await Promise.all(jobs);
+  assert.strictEqual(queue.completed, 3);
+  assert.strictEqual(queue.getStats().running, 0);
+});
+
+test('ScrapeQueue: times out stuck jobs and discards their page', async () => {
+  const browser = createBrowser(noProxies);
+  const queue = new ScrapeQueue(browser, noSessions, noProxies);
+  queue.jobTimeout = 20;
+  
+  await assert.rejects(queue.run('stuck', () => new Promise(() => {})), /Scrape job timeout after 20ms/);
+  assert.strictEqual(queue.getStats().timed_out, 1);
+  assert.strictEqual(queue.getStats().failed, 0);
+  assert.deepStrictEqual(browser.released, [{ discard: true }]);
+  
+  // The next job still runs, on a fresh page
+  assert.strictEqual((await queue.run('next', async () => ({ success: true }))).success, true);
+  assert.deepStrictEqual(browser.released, [{ discard: true }, { discard: false }]);
+});
+
+test('ScrapeQueue: rate-limited sessions back off and are skipped until their cooldown ends', async () => {
+  const pool = new SessionPool(fs.mkdtempSync(path.join(os.tmpdir(), 'sessions-')));
+  for (const name of ['first', 'second']) {
+    pool.upload(name, parseCookieUpload({ auth_token: `${name}-token`, ct0: `${name}-ct0` }).cookies);
+  }
+  const queue = new ScrapeQueue(createBrowser(noProxies), pool, noProxies);
+  const rateLimited = async () => ({ success: false, error_code: 'RATE_LIMITED', performance: {} });
+  
+  const first = await queue.run('a', rateLimited);
+  const second = await queue.run('b', rateLimited);
+  assert.deepStrictEqual([first.performance.session, second.performance.session], ['first', 'second']);
+  assert.strictEqual(pool.get('first').status, 'cooldown');
+  
+  // Every session is cooling down, so the job fails without touching the browser
+  await assert.rejects(queue.run('c', async () => ({ success: true })), { code: 'NO_SESSION_AVAILABLE' });
+  
+  // Once the cooldown ends the session is used again; a repeat rate limit doubles the cooldown
+  pool.get('first').cooldown_until = Date.now() - 1;
+  const retried = await queue.run('d', rateLimited);
+  assert.strictEqual(retried.performance.session, 'first');
+  const cooldown = pool.get('first').cooldown_until - Date.now();
+  assert.ok(cooldown > pool.cooldownMs * 1.9 && cooldown <= pool.cooldownMs * 2, `cooldown ${cooldown}ms`);
+});
@@ -0,0 +1,74 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+
+const { app, buildSearchQuery, searchOptionProblems } = require('../server');
+
+let server = null;
+let baseUrl = null;
+
+before(async () => {
+  await new Promise(resolve => { server = app.listen(0, '127.0.0.1', resolve); });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+});
+
+test('buildSearchQuery: combines the query with advanced search operators', () => {
+  const query = buildSearchQuery({
+    query: ' launch ',
+    from: '@NASA',
+    to: 'spacex',
+    mentioning: '@esa',
+    since: '2024-01-01',
+    until: '2024-02-29',
+    lang: 'en',
+    min_faves: '100',
+    min_retweets: 5,
+    filter: 'media'
+  });
+  
+  assert.strictEqual(query, 'launch from:NASA to:spacex @esa since:2024-01-01 until:2024-02-29 lang:en min_faves:100 min_retweets:5 filter:media');
+  assert.strictEqual(buildSearchQuery({}), '');
+});
+
+test('buildSearchQuery: refuses values that would inject extra operators', () => {
+  assert.throws(() => buildSearchQuery({ query: 'launch', since: '2024-01-01 from:someone' }), { code: 'INVALID_SEARCH' });
+  assert.throws(() => buildSearchQuery({ query: 'launch', lang: 'en OR lang:fr' }), { code: 'INVALID_SEARCH' });
+  assert.throws(() => buildSearchQuery({ from: 'nasa -filter:replies' }), { code: 'INVALID_SEARCH' });
+});
+
+test('searchOptionProblems: names every invalid field', () => {
+  assert.deepStrictEqual(searchOptionProblems({ query: 'launch', since: '2024-01-01', lang: 'pt' }), []);
+  assert.deepStrictEqual(searchOptionProblems({
+    query: ['launch'],
+    from: 12345,
+    since: '2024-02-30',
+    until: 'yesterday',
+    lang: 'EN',
+    min_faves: -1,
+    filter: 'media links'
+  }), [
+    'query must be a string',
+    'from must be a valid username',
+    'since must be a YYYY-MM-DD date',
+    'until must be a YYYY-MM-DD date',
+    'lang must be a 2-3 letter lowercase language code',
+    'min_faves must be a non-negative integer',
+    'filter must be a search filter name like media or links'
+  ]);
+});
+
+test('POST /search: rejects invalid fields before scraping', async () => {
+  const response = await fetch(`${baseUrl}/search`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ query: 'launch', since: 'last week', lang: 'english' })
+  });
+  const body = await response.json();
+  
+  assert.strictEqual(response.status, 400);
+  assert.strictEqual(body.success, false);
+  assert.strictEqual(body.error, 'since must be a YYYY-MM-DD date; lang must be a 2-3 letter lowercase language code');
+});
@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+
+const { validateSelectorProfile } = require('../server');
+
+const loadProfile = () => JSON.parse(JSON.stringify(require(path.join(__dirname, '..', 'selector-profile.json'))));
+
+test('selector-profile.json: the shipped profile passes the schema', () => {
+  assert.deepStrictEqual(validateSelectorProfile(loadProfile()), []);
+});
+
+test('validateSelectorProfile: reports missing groups, empty chains and bad patterns', () => {
+  const profile = loadProfile();
+  delete profile.version;
+  delete profile.selectors.article;
+  profile.selectors.text = [];
+  profile.patterns.suspended = ['account suspended', '(unclosed'];
+  profile.patterns.banned = ['banned'];
+  
+  const errors = validateSelectorProfile(profile);
+  
+  assert.strictEqual(errors.length, 5);
+  assert.ok(errors.includes('version: must be a non-empty string'));
+  assert.ok(errors.includes('selectors.article: must be a non-empty array'));
+  assert.ok(errors.includes('selectors.text: must be a non-empty array'));
+  assert.ok(errors.some(error => error.startsWith('patterns.suspended[1]: invalid regular expression')));
+  assert.ok(errors.includes('patterns.banned: unknown group'));
+});
+
+test('validateSelectorProfile: rejects non-objects', () => {
+  assert.deepStrictEqual(validateSelectorProfile([]), ['profile: must be a JSON object']);
+  assert.deepStrictEqual(validateSelectorProfile({ version: '1', selectors: 'x', patterns: null }), [
+    'selectors: must be an object',
+    'patterns: must be an object'
+  ]);
+});
+
+test('selector-profile.json: context and no-results patterns match current X wording', () => {
+  const { patterns } = loadProfile();
+  const matches = (group, text) => patterns[group].some(source => new RegExp(source, 'i').test(text));
+  
+  assert.ok(matches('retweet_context', 'Example reposted'));
+  assert.ok(matches('reply_context', 'Replying to @alice and @bob'));
+  assert.ok(!matches('reply_context', 'Thanks for replying to @alice'));
+  assert.ok(matches('no_results', 'No results for "zzqx"'));
+});
+
+test('selector-profile.json: tweet_* patterns recognise tombstones and interstitials', () => {
+  const { patterns } = loadProfile();
+  const matches = (group, text) => patterns[group].some(source => new RegExp(source, 'i').test(text));
+  
+  assert.ok(matches('tweet_age_restricted', 'NsfwLoggedOut'));
+  assert.ok(matches('tweet_withheld', 'Withheld'));
+  assert.ok(matches('tweet_deleted', 'This Post was deleted by the Post author.'));
+  assert.ok(matches('tweet_suspended', 'This Post is from a suspended account.'));
+  assert.ok(matches('tweet_protected', 'Protected'));
+  assert.ok(!matches('tweet_protected', 'Protected the release branch'));
+  assert.ok(matches('tweet_unavailable', 'This post is unavailable.'));
+});
@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { parseCookieUpload, SessionPool } = require('../server');
+
+const inDays = days => Math.floor(Date.now() / 1000) + days * 86400;
+
+test('parseCookieUpload: reads the cookie.json.example export and drops other sites', () => {
+  const exported = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'cookie.json.example'), 'utf8'))
+    .map(cookie => ({ ...cookie, expirationDate: inDays(30) }));
+  
+  const upload = parseCookieUpload([...exported, { domain: '.google.com', name: 'SID', value: 'x' }]);
+  assert.strictEqual(upload.format, 'json');
+  assert.strictEqual(upload.ignored, 1);
+  assert.deepStrictEqual(upload.cookies.find(cookie => cookie.name === 'ct0'), {
+    name: 'ct0',
+    value: 'YOUR_CT0_VALUE_HERE',
+    domain: '.x.com',
+    path: '/',
+    secure: true,
+    httpOnly: false,
+    sameSite: 'Lax',
+    expires: exported.find(cookie => cookie.name === 'ct0').expirationDate
+  });
+});
+
+test('parseCookieUpload: reads Netscape cookies.txt and auth_token/ct0 pairs', () => {
+  const expires = inDays(30);
+  const cookiesTxt = [
+    '# Netscape HTTP Cookie File',
+    `#HttpOnly_.x.com\tTRUE\t/\tTRUE\t${expires}\tauth_token\tAAA`,
+    `.x.com\tTRUE\t/\tTRUE\t${expires}\tct0\tBBB`,
+    ''
+  ].join('\n');
+  
+  for (const body of [cookiesTxt, { cookies_txt: cookiesTxt }]) {
+    const { format, cookies } = parseCookieUpload(body);
+    assert.strictEqual(format, 'netscape');
+    assert.deepStrictEqual(cookies.map(cookie => [cookie.name, cookie.value, cookie.httpOnly, cookie.expires]), [
+      ['auth_token', 'AAA', true, expires],
+      ['ct0', 'BBB', false, expires]
+    ]);
+  }
+  
+  const pair = parseCookieUpload({ auth_token: 'AAA', ct0: 'BBB' });
+  assert.strictEqual(pair.format, 'token_pair');
+  assert.deepStrictEqual(pair.cookies.map(cookie => [cookie.domain, cookie.name, cookie.expires]), [
+    ['.x.com', 'auth_token', undefined],
+    ['.x.com', 'ct0', undefined]
+  ]);
+});
+
+test('parseCookieUpload: rejects uploads missing or with expired login cookies', () => {
+  assert.throws(() => parseCookieUpload({ auth_token: 'AAA' }), { code: 'INVALID_COOKIES', details: ['ct0: missing'] });
+  assert.throws(() => parseCookieUpload({ something: 'else' }), { code: 'INVALID_COOKIES' });
+  
+  const expired = [
+    { domain: '.x.com', name: 'auth_token', value: 'AAA', expirationDate: inDays(-1) },
+    { domain: '.x.com', name: 'ct0', value: 'BBB', expirationDate: inDays(30) }
+  ];
+  assert.throws(() => parseCookieUpload(expired), error => /^auth_token: expired at/.test(error.details[0]));
+  
+  // Cookies with non-string fields are dropped instead of breaking the upload
+  const malformed = [
+    { domain: 123, name: 'auth_token', value: 'AAA' },
+    { domain: '.x.com', name: 'ct0', value: 456 }
+  ];
+  assert.throws(() => parseCookieUpload(malformed), { code: 'INVALID_COOKIES', details: ['auth_token: missing', 'ct0: missing'] });
+});
+
+test('SessionPool: uploads replace sessions, persist, and warn before expiry', () => {
+  const pool = new SessionPool(fs.mkdtempSync(path.join(os.tmpdir(), 'sessions-')));
+  const cookies = days => parseCookieUpload([
+    { domain: '.x.com', name: 'auth_token', value: 'AAA', expirationDate: inDays(days) },
+    { domain: '.x.com', name: 'ct0', value: 'BBB', expirationDate: inDays(90) }
+  ]).cookies;
+  
+  const first = pool.upload('main', cookies(90));
+  pool.report('main', 'AUTH_REQUIRED');
+  pool.report('main', 'AUTH_REQUIRED');
+  assert.strictEqual(first.status, 'quarantined');
+  assert.deepStrictEqual(pool.expiryWarnings(), []);
+  
+  // New cookies start healthy under a new revision so pooled pages reload them
+  const second = pool.upload('main', cookies(3));
+  assert.strictEqual(second.status, 'healthy');
+  assert.strictEqual(second.revision, 2);
+  
+  const [warning] = pool.expiryWarnings();
+  assert.strictEqual(warning.session, 'main');
+  assert.strictEqual(warning.cookie, 'auth_token');
+  assert.ok(warning.days_left <= 3);
+  
+  const reloaded = new SessionPool(pool.uploadDir);
+  reloaded.load();
+  assert.deepStrictEqual(reloaded.get('main').cookies, second.cookies);
+  
+  assert.strictEqual(reloaded.remove('main'), true);
+  assert.deepStrictEqual(fs.readdirSync(pool.uploadDir), []);
+});
@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { WatchlistMonitor, StreamHub } = require('../server');
+
+const createHub = () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'stream-hub-'));
+  const monitor = new WatchlistMonitor(path.join(dir, 'watchlist.json'));
+  return { monitor, hub: new StreamHub(monitor) };
+};
+
+const connect = hub => {
+  const frames = [];
+  const client = hub.connect({ transport: 'sse', send: frame => frames.push(frame), close: () => {} });
+  return { client, frames };
+};
+
+test('StreamHub: subscriptions add ephemeral watchlist entries until the last subscriber leaves', () => {
+  const { monitor, hub } = createHub();
+  monitor.add('persistent');
+  
+  const first = connect(hub);
+  const second = connect(hub);
+  hub.subscribe(first.client, hub.parseSubscriptions({ usernames: ['@Alice', 'persistent'], queries: ['launch lang:en'] }));
+  hub.subscribe(second.client, hub.parseSubscriptions({ usernames: ['alice'] }));
+  
+  assert.strictEqual(monitor.get('alice').ephemeral, true);
+  assert.strictEqual(monitor.getSearch('Launch lang:en').ephemeral, true);
+  assert.strictEqual(monitor.get('persistent').ephemeral, false);
+  
+  // Ephemeral entries are never written to disk
+  const saved = JSON.parse(fs.readFileSync(monitor.filePath, 'utf8')).accounts.map(account => account.username);
+  assert.deepStrictEqual(saved, ['persistent']);
+  
+  hub.disconnect(first.client);
+  assert.ok(monitor.get('alice'));
+  assert.strictEqual(monitor.getSearch('launch lang:en'), null);
+  
+  hub.disconnect(second.client);
+  assert.strictEqual(monitor.get('alice'), null);
+  assert.ok(monitor.get('persistent'));
+});
+
+test('StreamHub: enforces the per-connection subscription limit', () => {
+  const { hub } = createHub();
+  hub.maxSubscriptions = 2;
+  const { client } = connect(hub);
+  
+  hub.subscribe(client, hub.parseSubscriptions({ usernames: ['a', 'b'] }));
+  assert.throws(() => hub.subscribe(client, hub.parseSubscriptions({ queries: ['c'] })), { code: 'SUBSCRIPTION_LIMIT' });
+  assert.deepStrictEqual(hub.describe(client).queries, []);
+  
+  assert.throws(() => hub.parseSubscriptions({ usernames: ['not a user'] }), { code: 'INVALID_SUBSCRIPTION' });
+});
+
+test('StreamHub: pushes new tweets once per client to matching subscribers', () => {
+  const { monitor, hub } = createHub();
+  const alice = connect(hub);
+  const other = connect(hub);
+  hub.subscribe(alice.client, hub.parseSubscriptions({ usernames: ['alice'], queries: ['launch'] }));
+  hub.subscribe(other.client, hub.parseSubscriptions({ usernames: ['bob'] }));
+  
+  const tweet = { id: '10', username: 'alice', text: 'launch day' };
+  monitor.emit('tweets', { username: 'alice', key: 'alice', tweets: [tweet] });
+  monitor.emit('tweets', { query: 'launch', key: 'search:launch', tweets: [tweet] });
+  
+  assert.deepStrictEqual(alice.frames, [{ id: 1, event: 'tweet', source: { username: 'alice' }, data: tweet }]);
+  assert.deepStrictEqual(other.frames, []);
+});
+
+test('StreamHub: replays buffered events after Last-Event-ID and reports gaps', () => {
+  const { monitor, hub } = createHub();
+  hub.bufferSize = 2;
+  for (const id of ['1', '2', '3']) {
+    monitor.emit('tweets', { username: 'alice', key: 'alice', tweets: [{ id, username: 'alice' }] });
+  }
+  
+  const resumed = connect(hub);
+  hub.subscribe(resumed.client, hub.parseSubscriptions({ usernames: ['alice'] }));
+  assert.strictEqual(hub.replay(resumed.client, '2'), 1);
+  assert.deepStrictEqual(resumed.frames.map(frame => frame.id), [3]);
+  
+  // Event 2 fell out of the buffer, and IDs from before a restart are unknown
+  for (const lastEventId of ['0', '99']) {
+    const { client, frames } = connect(hub);
+    hub.subscribe(client, hub.parseSubscriptions({ usernames: ['alice'] }));
+    hub.replay(client, lastEventId);
+    assert.strictEqual(frames[0].event, 'gap');
+  }
+});
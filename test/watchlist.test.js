@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { WatchlistMonitor } = require('../server');
+
+const createMonitor = () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'watchlist-'));
+  return new WatchlistMonitor(path.join(dir, 'watchlist.json'));
+};
+
+const tweet = id => ({ id: String(id), username: 'example', type: 'tweet', text: `tweet ${id}` });
+
+// Newest first, the way timelines come back
+const timeline = (newest, oldest) => {
+  const tweets = [];
+  for (let id = newest; id >= oldest; id--) tweets.push(tweet(id));
+  return tweets;
+};
+
+test('WatchlistMonitor: emits every tweet since the cursor even past max_tweets', async () => {
+  const monitor = createMonitor();
+  const account = monitor.add('example', { maxTweets: 3, last_seen_id: '100' });
+  const calls = [];
+  monitor.scrape = async entry => {
+    calls.push({ ...entry });
+    return { success: true, tweets: timeline(108, 100), performance: { stop_reason: 'since_id' } };
+  };
+  const events = [];
+  monitor.on('tweets', event => events.push(event));
+  
+  const result = await monitor.pollEntry(account);
+  assert.strictEqual(calls[0].last_seen_id, '100');
+  assert.strictEqual(result.new_count, 8);
+  assert.strictEqual(result.gap, false);
+  assert.strictEqual(account.last_seen_id, '108');
+  assert.deepStrictEqual(events[0].tweets.map(item => item.id), ['108', '107', '106', '105', '104', '103', '102', '101']);
+  assert.strictEqual(events[0].gap, false);
+});
+
+test('WatchlistMonitor: flags a gap when collection stops before reaching the cursor', async () => {
+  const monitor = createMonitor();
+  const account = monitor.add('example', { maxTweets: 3, last_seen_id: '100' });
+  monitor.scrape = async () => ({ success: true, tweets: timeline(250, 201), performance: { stop_reason: 'time_limit' } });
+  const events = [];
+  monitor.on('tweets', event => events.push(event));
+  
+  const result = await monitor.pollEntry(account);
+  assert.strictEqual(result.new_count, 50);
+  assert.strictEqual(result.gap, true);
+  assert.strictEqual(events[0].gap, true);
+  
+  // Nothing new means nothing was skipped, whatever stopped the scroll
+  monitor.scrape = async () => ({ success: true, tweets: [], performance: { stop_reason: 'no_progress' } });
+  assert.strictEqual((await monitor.pollEntry(account)).gap, false);
+});
+
+test('WatchlistMonitor: searches flag a gap when max_tweets fills up with new tweets', async () => {
+  const monitor = createMonitor();
+  const search = monitor.watchSearch('launch', { maxTweets: 3, last_seen_id: '100' });
+  monitor.scrape = async () => ({ success: true, tweets: timeline(110, 108) });
+  
+  const full = await monitor.pollEntry(search);
+  assert.strictEqual(full.new_count, 3);
+  assert.strictEqual(full.gap, true);
+  
+  monitor.scrape = async () => ({ success: true, tweets: timeline(112, 110) });
+  const caughtUp = await monitor.pollEntry(search);
+  assert.strictEqual(caughtUp.new_count, 2);
+  assert.strictEqual(caughtUp.gap, false);
+});
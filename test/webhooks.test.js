@@ -0,0 +1,155 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const { WebhookDispatcher } = require('../server');
+
+// A local receiver that answers each delivery with the next scripted status (200 once the script runs out)
+let receiver = null;
+let receiverUrl = null;
+const statuses = [];
+const received = [];
+
+before(async () => {
+  receiver = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received.push({ headers: req.headers, body, at: Date.now() });
+      res.statusCode = statuses.shift() || 200;
+      res.end();
+    });
+  });
+  await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+  receiverUrl = `http://127.0.0.1:${receiver.address().port}/hook`;
+});
+
+after(async () => {
+  await new Promise(resolve => receiver.close(resolve));
+});
+
+// Settings are read from the environment when the dispatcher is built; the local
+// receiver is on loopback, so it has to be allowlisted
+const createDispatcher = (env = {}) => {
+  const settings = { WEBHOOK_RETRY_BASE_MS: '20', WEBHOOK_MAX_ATTEMPTS: '3', WEBHOOK_ALLOWED_HOSTS: '127.0.0.1', ...env };
+  const previous = Object.fromEntries(Object.keys(settings).map(name => [name, process.env[name]]));
+  Object.assign(process.env, settings);
+  try {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'webhooks-'));
+    return new WebhookDispatcher(path.join(dir, 'webhooks.json'), path.join(dir, 'webhook-dead-letters.json'));
+  } finally {
+    for (const [name, value] of Object.entries(previous)) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+  }
+};
+
+const payload = id => ({ event: 'tweet.new', delivery_id: `delivery-${id}`, username: 'example', tweet: { id: String(id) } });
+
+const reset = () => {
+  statuses.length = 0;
+  received.length = 0;
+};
+
+test('WebhookDispatcher: signs the exact body with the subscription secret', async () => {
+  reset();
+  const dispatcher = createDispatcher();
+  const subscription = dispatcher.subscribe({ url: receiverUrl, usernames: ['@Example'], secret: 'topsecret' });
+  
+  const result = await dispatcher.deliverWithRetry(subscription, payload(1));
+  assert.deepStrictEqual(result, { delivered: true, status: 200, attempts: 1 });
+  
+  const [{ headers, body }] = received;
+  const expected = `sha256=${crypto.createHmac('sha256', 'topsecret').update(body).digest('hex')}`;
+  assert.strictEqual(headers['x-signature-256'], expected);
+  assert.strictEqual(headers['x-webhook-delivery'], 'delivery-1');
+  assert.strictEqual(JSON.parse(body).tweet.id, '1');
+  assert.strictEqual(subscription.delivered, 1);
+  assert.deepStrictEqual(dispatcher.matching('example').map(match => match.id), [subscription.id]);
+  
+  // Counters reach disk on the batch timer, or right away on flush
+  dispatcher.flush();
+  const saved = JSON.parse(fs.readFileSync(dispatcher.subscriptionsPath, 'utf8')).subscriptions[0];
+  assert.strictEqual(saved.delivered, 1);
+});
+
+test('WebhookDispatcher: retries failed deliveries with exponential backoff', async () => {
+  reset();
+  const dispatcher = createDispatcher();
+  const subscription = dispatcher.subscribe({ url: receiverUrl });
+  statuses.push(500, 500);
+  
+  const result = await dispatcher.deliverWithRetry(subscription, payload(2));
+  assert.deepStrictEqual(result, { delivered: true, status: 200, attempts: 3 });
+  assert.strictEqual(received.length, 3);
+  assert.ok(received[1].at - received[0].at >= 20);
+  assert.ok(received[2].at - received[1].at >= 40);
+  assert.strictEqual(dispatcher.deadLetters.length, 0);
+  dispatcher.flush();
+});
+
+test('WebhookDispatcher: dead-letters after maxAttempts and replay removes the entry', async () => {
+  reset();
+  const dispatcher = createDispatcher();
+  const subscription = dispatcher.subscribe({ url: receiverUrl });
+  statuses.push(500, 500, 500);
+  
+  const result = await dispatcher.deliverWithRetry(subscription, payload(3));
+  assert.strictEqual(result.delivered, false);
+  assert.strictEqual(result.attempts, 3);
+  assert.match(result.error, /HTTP 500/);
+  assert.strictEqual(subscription.failed, 1);
+  
+  const [deadLetter] = dispatcher.listDeadLetters();
+  assert.strictEqual(deadLetter.payload.delivery_id, 'delivery-3');
+  assert.strictEqual(JSON.parse(fs.readFileSync(dispatcher.deadLettersPath, 'utf8')).dead_letters.length, 1);
+  
+  // The receiver is back - replay delivers the original payload and clears the dead letter
+  received.length = 0;
+  const replayed = await dispatcher.replay(deadLetter.id);
+  assert.strictEqual(replayed.delivered, true);
+  assert.strictEqual(JSON.parse(received[0].body).delivery_id, 'delivery-3');
+  assert.strictEqual(dispatcher.listDeadLetters().length, 0);
+  assert.strictEqual(JSON.parse(fs.readFileSync(dispatcher.deadLettersPath, 'utf8')).dead_letters.length, 0);
+  assert.strictEqual(await dispatcher.replay(deadLetter.id), null);
+  dispatcher.flush();
+});
+
+test('WebhookDispatcher: clamps maxAttempts and caps the dead-letter store', async () => {
+  reset();
+  const dispatcher = createDispatcher({ WEBHOOK_MAX_ATTEMPTS: '-1', WEBHOOK_DEAD_LETTER_LIMIT: '2' });
+  assert.strictEqual(dispatcher.maxAttempts, 1);
+  const subscription = dispatcher.subscribe({ url: receiverUrl });
+  statuses.push(500, 500, 500);
+  
+  for (const id of [4, 5, 6]) {
+    const result = await dispatcher.deliverWithRetry(subscription, payload(id));
+    assert.strictEqual(result.attempts, 1);
+  }
+  assert.deepStrictEqual(dispatcher.listDeadLetters().map(entry => entry.payload.delivery_id), ['delivery-5', 'delivery-6']);
+  dispatcher.flush();
+});
+
+test('WebhookDispatcher: refuses private and loopback targets unless allowlisted', async () => {
+  reset();
+  const dispatcher = createDispatcher({ WEBHOOK_ALLOWED_HOSTS: 'receiver.internal' });
+  
+  for (const url of ['http://127.0.0.1:8080/hook', 'http://169.254.169.254/latest/meta-data', 'http://10.1.2.3/hook', 'http://[::1]/hook', 'http://[::ffff:7f00:1]/hook', 'http://localhost/hook']) {
+    await assert.rejects(dispatcher.checkTarget(url), { code: 'WEBHOOK_TARGET_BLOCKED' }, url);
+  }
+  await dispatcher.checkTarget('http://receiver.internal/hook');
+  await dispatcher.checkTarget('http://93.184.216.34/hook');
+  
+  // Deliveries are checked too, so a blocked receiver is never contacted
+  const subscription = dispatcher.subscribe({ url: receiverUrl });
+  const result = await dispatcher.deliverWithRetry(subscription, payload(7), { deadLetter: false });
+  assert.strictEqual(result.delivered, false);
+  assert.match(result.error, /private address 127\.0\.0\.1/);
+  assert.strictEqual(received.length, 0);
+  dispatcher.flush();
+});